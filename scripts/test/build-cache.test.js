@@ -0,0 +1,79 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {chmodSync, mkdirSync, readFileSync, writeFileSync} from 'fs';
+import {join} from 'path';
+import {buildCommand, computeModuleHashes, isCacheHit, writeCacheEntry} from '../src/maven.js';
+import {nestedReactor, tempDir, withEnv} from './helpers.js';
+
+// A module whose jar is installed in a throwaway ~/.m2
+function installedModule(t) {
+    const rootDir = tempDir(t);
+    const home = tempDir(t);
+    withEnv(t, {HOME: home});
+    mkdirSync(join(rootDir, 'mod'));
+    writeFileSync(join(rootDir, 'mod', 'pom.xml'), '<project><groupId>com.example</groupId><artifactId>mod</artifactId><version>1.0.0</version></project>\n');
+    const repository = join(home, '.m2', 'repository', 'com', 'example', 'mod', '1.0.0');
+    mkdirSync(repository, {recursive: true});
+    writeFileSync(join(repository, 'mod-1.0.0.jar'), '');
+    return rootDir;
+}
+
+test('builds that stopped before install are not reused by install runs', t => {
+    const rootDir = installedModule(t);
+    for (const goal of ['test', 'package']) {
+        writeCacheEntry(rootDir, 'mod', 'hash', {goal, skipTests: false});
+        assert.equal(isCacheHit(rootDir, 'mod', 'hash', {goal: 'install', skipTests: false}), false, goal);
+        assert.equal(isCacheHit(rootDir, 'mod', 'hash', {goal: 'test', skipTests: false}), true, goal);
+    }
+    writeCacheEntry(rootDir, 'mod', 'hash', {goal: 'install', skipTests: false});
+    assert.equal(isCacheHit(rootDir, 'mod', 'hash', {goal: 'install', skipTests: false}), true);
+    assert.equal(isCacheHit(rootDir, 'mod', 'other-hash', {goal: 'install', skipTests: false}), false);
+});
+
+test('builds that skipped tests are not reused by runs with tests', t => {
+    const rootDir = installedModule(t);
+    writeCacheEntry(rootDir, 'mod', 'hash', {goal: 'install', skipTests: true});
+    assert.equal(isCacheHit(rootDir, 'mod', 'hash', {goal: 'install', skipTests: true}), true);
+    assert.equal(isCacheHit(rootDir, 'mod', 'hash', {goal: 'install', skipTests: false}), false);
+});
+
+// Reactor of a <- b with a fake ./mvnw that records its arguments; a's jar is installed
+function recordingReactor(t) {
+    const rootDir = tempDir(t);
+    const home = tempDir(t);
+    withEnv(t, {HOME: home});
+    writeFileSync(join(rootDir, 'pom.xml'), '<project><groupId>com.example</groupId><artifactId>root</artifactId><version>1</version><packaging>pom</packaging><modules><module>a</module><module>b</module></modules></project>\n');
+    const dependency = '<dependencies><dependency><groupId>com.example</groupId><artifactId>a</artifactId><version>1.0.0</version></dependency></dependencies>';
+    for (const [mod, deps] of [['a', ''], ['b', dependency]]) {
+        mkdirSync(join(rootDir, mod));
+        writeFileSync(join(rootDir, mod, 'pom.xml'), `<project><groupId>com.example</groupId><artifactId>${mod}</artifactId><version>1.0.0</version>${deps}</project>\n`);
+    }
+    const repository = join(home, '.m2', 'repository', 'com', 'example', 'a', '1.0.0');
+    mkdirSync(repository, {recursive: true});
+    writeFileSync(join(repository, 'a-1.0.0.jar'), '');
+    writeFileSync(join(rootDir, 'mvnw'), '#!/bin/sh\necho "$@" >> "$(dirname "$0")/mvn-args.txt"\n');
+    chmodSync(join(rootDir, 'mvnw'), 0o755);
+    return rootDir;
+}
+
+test('cached upstream modules are excluded from the -am reactor', async t => {
+    const rootDir = recordingReactor(t);
+    const options = {modules: ['a', 'b'], cache: true, goal: 'install', skipTests: true, maxParallel: 1};
+    writeCacheEntry(rootDir, 'a', computeModuleHashes(rootDir).get('a'), options);
+    t.mock.method(console, 'log', () => {});
+    const exit = t.mock.method(process, 'exit', () => {});
+    await buildCommand(rootDir, options);
+    assert.deepEqual(exit.mock.calls[0].arguments, [0]);
+    const invocations = readFileSync(join(rootDir, 'mvn-args.txt'), 'utf8').trim().split('\n');
+    assert.equal(invocations.at(-1), '-pl b,!a -am clean install -DskipTests');
+});
+
+test('editing a parent pom between the module and the root invalidates the hash', t => {
+    const rootDir = nestedReactor(t);
+    const before = computeModuleHashes(rootDir);
+    const libsPom = join(rootDir, 'libs', 'pom.xml');
+    writeFileSync(libsPom, readFileSync(libsPom, 'utf8').replace('<packaging>pom</packaging>', '<packaging>pom</packaging><description>changed</description>'));
+    const after = computeModuleHashes(rootDir);
+    assert.notEqual(after.get('libs/core'), before.get('libs/core'));
+    assert.notEqual(after.get('libs/app'), before.get('libs/app'));
+});
@@ -0,0 +1,36 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {readFileSync} from 'fs';
+import {join} from 'path';
+import {writeBuildReport} from '../src/maven.js';
+import {tempDir, writeTree} from './helpers.js';
+
+const surefire = failing => `<testsuite name="ExampleTest" tests="2" failures="${failing ? 1 : 0}" errors="0" skipped="0">
+  <testcase name="passes" classname="ExampleTest" time="0.1"/>
+  <testcase name="breaks" classname="ExampleTest" time="0.1">${failing ? '<failure message="boom"/>' : ''}</testcase>
+</testsuite>`;
+
+test('reports only count tests of modules built in this run', t => {
+    const rootDir = writeTree(tempDir(t), {
+        'built/target/surefire-reports/TEST-ExampleTest.xml': surefire(false),
+        'broken/target/surefire-reports/TEST-ExampleTest.xml': surefire(true),
+        'cached/target/surefire-reports/TEST-ExampleTest.xml': surefire(true),
+        'skipped/target/surefire-reports/TEST-ExampleTest.xml': surefire(true)
+    });
+    const results = [
+        {module: 'built', success: true, status: 'SUCCESS', duration: 1, exitCode: 0},
+        {module: 'broken', success: false, status: 'FAILURE', duration: 1, exitCode: 1, error: 'Tests failed'},
+        {module: 'cached', success: true, status: 'CACHED', duration: 0, exitCode: 0, cached: true},
+        {module: 'skipped', success: false, status: 'SKIPPED', duration: 0, exitCode: -1, skipReason: 'Depends on failed module broken'}
+    ];
+    t.mock.method(console, 'log', () => {});
+    const report = join(rootDir, 'report.json');
+    writeBuildReport(rootDir, results, {report, goal: 'install'});
+    const {totals, modules} = JSON.parse(readFileSync(report, 'utf8'));
+    assert.deepEqual(totals.tests, {tests: 4, failures: 1, errors: 0, skipped: 0});
+    assert.deepEqual(modules.map(m => m.tests.failingTests), [[], ['ExampleTest#breaks'], [], []]);
+
+    const junit = join(rootDir, 'report.xml');
+    writeBuildReport(rootDir, results, {report: junit, goal: 'install'});
+    assert.match(readFileSync(junit, 'utf8'), /<testsuites name="maven-build" tests="8" failures="2" errors="0" skipped="1">/);
+});
@@ -0,0 +1,33 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {getLevelResults} from '../src/maven.js';
+import {tempDir, writeTree} from './helpers.js';
+
+const pom = artifactId => `<project><groupId>com.example</groupId><artifactId>${artifactId}</artifactId><version>1.0.0</version></project>\n`;
+
+test('reactor summary gives each module its own status, time and reason', t => {
+    const rootDir = writeTree(tempDir(t), {'a/pom.xml': pom('a'), 'ab/pom.xml': pom('ab'), 'c/pom.xml': pom('c')});
+    const output = [
+        '[INFO] Reactor Summary for root 1.0.0:',
+        '[INFO] ',
+        '[INFO] ab 1.0.0 ........................................... SUCCESS [  2.500 s]',
+        '[INFO] a 1.0.0 ............................................ FAILURE [01:05 min]',
+        '[INFO] c 1.0.0 ............................................ SKIPPED',
+        '[INFO] ------------------------------------------------------------------------',
+        '[INFO] BUILD FAILURE',
+        '[ERROR] Failed to execute goal org.apache.maven.plugins:maven-compiler-plugin:3.11.0:compile (default-compile) on project a: Compilation failure'
+    ].join('\n');
+    assert.deepEqual(getLevelResults(['a', 'ab', 'c'], rootDir, output, 1, 70), [
+        {module: 'a', success: false, status: 'FAILURE', duration: 65, exitCode: 1, error: 'Compilation failure'},
+        {module: 'ab', success: true, status: 'SUCCESS', duration: 2.5, exitCode: 1},
+        {module: 'c', success: false, status: 'SKIPPED', duration: 0, exitCode: 1, skipReason: 'Skipped after failure of a'}
+    ]);
+});
+
+test('a single-project reactor takes its time from the build total', t => {
+    const rootDir = writeTree(tempDir(t), {'a/pom.xml': pom('a')});
+    const output = '[INFO] BUILD SUCCESS\n[INFO] Total time:  3.250 s\n';
+    assert.deepEqual(getLevelResults(['a'], rootDir, output, 0, 9), [
+        {module: 'a', success: true, status: 'SUCCESS', duration: 3.25, exitCode: 0}
+    ]);
+});
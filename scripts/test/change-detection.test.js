@@ -0,0 +1,47 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {writeFileSync} from 'fs';
+import {join} from 'path';
+import {detectChangedModules} from '../src/maven.js';
+import {tempDir, writeTree} from './helpers.js';
+
+const pom = artifactId => `<project><groupId>com.example</groupId><artifactId>${artifactId}</artifactId><version>1.0.0</version></project>\n`;
+
+// Reactor with modules a and b and a `maven.changeDetection` section in package.json
+function configuredReactor(t) {
+    const changeDetection = {
+        globalPaths: ['pom.xml', 'build/**/*.gradle'],
+        ignore: ['**/*.md'],
+        modules: {b: {ignore: ['docs/']}}
+    };
+    return writeTree(tempDir(t), {
+        'pom.xml': '<project><groupId>com.example</groupId><artifactId>root</artifactId><version>1.0.0</version><packaging>pom</packaging><modules><module>a</module><module>b</module></modules></project>\n',
+        'package.json': JSON.stringify({name: 'root', maven: {changeDetection}}),
+        'a/pom.xml': pom('a'),
+        'b/pom.xml': pom('b')
+    });
+}
+
+function detect(t, rootDir, files) {
+    const filesFrom = join(rootDir, 'changed.txt');
+    writeFileSync(filesFrom, files.join('\n'));
+    t.mock.method(console, 'error', () => {});
+    return detectChangedModules(rootDir, {base: 'main', filesFrom});
+}
+
+test('ignore globs apply to every module, module ignores only to their own', t => {
+    const rootDir = configuredReactor(t);
+    assert.deepEqual(detect(t, rootDir, ['a/README.md', 'a/src/notes/x.md', 'b/docs/guide.txt']).changedModules, []);
+    assert.deepEqual(detect(t, rootDir, ['a/docs/guide.txt', 'b/src/Main.java']).changedModules, ['a', 'b']);
+});
+
+test('globalPaths replace the defaults and report the glob that matched', t => {
+    const rootDir = configuredReactor(t);
+    const scripts = detect(t, rootDir, ['scripts/src/maven.js', 'a/src/Main.java']);
+    assert.deepEqual({changedModules: scripts.changedModules, baseFilesChanged: scripts.baseFilesChanged}, {changedModules: ['a'], baseFilesChanged: false});
+    const gradle = detect(t, rootDir, ['build/tools/deps.gradle']);
+    assert.deepEqual(
+        {changedModules: gradle.changedModules, matchedBaseFile: gradle.matchedBaseFile, matchedBasePath: gradle.matchedBasePath},
+        {changedModules: ['a', 'b'], matchedBaseFile: 'build/tools/deps.gradle', matchedBasePath: 'build/**/*.gradle'}
+    );
+});
@@ -0,0 +1,50 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {mkdirSync, readFileSync, writeFileSync} from 'fs';
+import {join} from 'path';
+import {checkCommand} from '../src/maven.js';
+import {tempDir} from './helpers.js';
+
+// Reactor where b depends on an outdated version of a
+function driftedReactor(t) {
+    const rootDir = tempDir(t);
+    writeFileSync(join(rootDir, 'pom.xml'), '<project><groupId>com.example</groupId><artifactId>root</artifactId><version>1</version><packaging>pom</packaging><modules><module>a</module><module>b</module></modules></project>\n');
+    mkdirSync(join(rootDir, 'a'));
+    writeFileSync(join(rootDir, 'a', 'pom.xml'), '<project><groupId>com.example</groupId><artifactId>a</artifactId><version>2.0.0</version></project>\n');
+    mkdirSync(join(rootDir, 'b'));
+    writeFileSync(join(rootDir, 'b', 'pom.xml'), '<project><groupId>com.example</groupId><artifactId>b</artifactId><version>1.0.0</version><dependencies><dependency><groupId>com.example</groupId><artifactId>a</artifactId><version>1.0.0</version></dependency></dependencies></project>\n');
+    return rootDir;
+}
+
+test('check --json --fix keeps stdout parseable', t => {
+    const rootDir = driftedReactor(t);
+    const stdout = t.mock.method(console, 'log', () => {});
+    const stderr = t.mock.method(console, 'error', () => {});
+    checkCommand(rootDir, {json: true, fix: true});
+    assert.equal(stdout.mock.callCount(), 1);
+    const [report] = JSON.parse(stdout.mock.calls[0].arguments[0]);
+    assert.deepEqual({module: report.module, declaredVersion: report.declaredVersion, currentVersion: report.currentVersion}, {module: 'b', declaredVersion: '1.0.0', currentVersion: '2.0.0'});
+    assert.match(stderr.mock.calls.map(c => c.arguments.join(' ')).join('\n'), /✓ b: a dependency 1\.0\.0 → 2\.0\.0[\s\S]*Fixed: 1/);
+    assert.match(readFileSync(join(rootDir, 'b', 'pom.xml'), 'utf8'), /<artifactId>a<\/artifactId><version>2\.0\.0<\/version>/);
+});
+
+test('check reports a package.json that disagrees with the declared version', t => {
+    const rootDir = driftedReactor(t);
+    writeFileSync(join(rootDir, 'b', 'pom.xml'), readFileSync(join(rootDir, 'b', 'pom.xml'), 'utf8').replace('<version>1.0.0</version></dependency>', '<version>2.0.0</version></dependency>'));
+    writeFileSync(join(rootDir, 'a', 'package.json'), '{"name": "a", "version": "2.1.0"}\n');
+    const stdout = t.mock.method(console, 'log', () => {});
+    const stderr = t.mock.method(console, 'error', () => {});
+    const exit = t.mock.method(process, 'exit', () => {});
+    checkCommand(rootDir, {json: true});
+    const [report] = JSON.parse(stdout.mock.calls[0].arguments[0]);
+    assert.deepEqual({match: report.match, packageVersion: report.packageVersion, packageMatch: report.packageMatch}, {match: true, packageVersion: '2.1.0', packageMatch: false});
+    assert.deepEqual(exit.mock.calls.map(c => c.arguments[0]), [1]);
+
+    writeFileSync(join(rootDir, 'a', 'package.json'), '{"name": "a", "version": "2.0.0"}\n');
+    writeFileSync(join(rootDir, 'a', 'pom.xml'), readFileSync(join(rootDir, 'a', 'pom.xml'), 'utf8').replace('2.0.0', '2.0.0-SNAPSHOT'));
+    writeFileSync(join(rootDir, 'b', 'pom.xml'), readFileSync(join(rootDir, 'b', 'pom.xml'), 'utf8').replace('<version>2.0.0</version></dependency>', '<version>2.0.0-SNAPSHOT</version></dependency>'));
+    checkCommand(rootDir, {});
+    assert.match(stdout.mock.calls.map(c => c.arguments.join(' ')).join('\n'), /package\.json mismatch: 0/);
+    assert.equal(exit.mock.callCount(), 1);
+    assert.equal(stderr.mock.callCount(), 0);
+});
@@ -0,0 +1,47 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {spawnSync} from 'child_process';
+import {fileURLToPath} from 'url';
+
+const CLI = fileURLToPath(new URL('../src/maven.js', import.meta.url));
+
+function maven(...args) {
+    return spawnSync(process.execPath, [CLI, ...args], {encoding: 'utf8', env: {...process.env, FORCE_COLOR: '0'}});
+}
+
+test('build fails on a --since ref git cannot resolve', () => {
+    const {status, stdout, stderr} = maven('build', '--since', 'deadbeef');
+    assert.equal(status, 1);
+    assert.match(stderr, /Cannot diff against --since deadbeef/);
+    assert.doesNotMatch(stdout, /Nothing to build/);
+});
+
+test('changed rejects option-like --since values', () => {
+    const {status, stderr} = maven('changed', '--since=--output=/tmp/x');
+    assert.equal(status, 1);
+    assert.match(stderr, /Invalid --since/);
+});
+
+test('changed rejects option-like --base values', () => {
+    const {status, stderr} = maven('changed', '--base=--upload-pack=touch pwned');
+    assert.equal(status, 1);
+    assert.match(stderr, /Invalid --base/);
+});
+
+test('downstream validate -m filters and rejects unknown modules', () => {
+    for (const args of [['downstream', 'validate', '-m', 'nope'], ['downstream', '-m', 'nope', 'validate']]) {
+        const {status, stderr} = maven(...args);
+        assert.equal(status, 1, args.join(' '));
+        assert.match(stderr, /Module 'nope' not found/);
+    }
+    const {status, stdout} = maven('downstream', 'validate', '--json', '-m', 'demo-module-a');
+    assert.equal(status, 0);
+    assert.deepEqual(JSON.parse(stdout).map(r => r.module), ['demo-module-a']);
+});
+
+test('build rejects an unknown --report-format before building', () => {
+    const {status, stdout, stderr} = maven('build', '--all', '--report', 'report.json', '--report-format', 'jsn');
+    assert.equal(status, 1);
+    assert.match(stderr, /argument 'jsn' is invalid\. Allowed choices are json, junit/);
+    assert.equal(stdout, '');
+});
@@ -0,0 +1,39 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {buildDependencyGraph, findMavenModules, getBuildLevels, getBuildOrder} from '../src/maven.js';
+import {tempDir, writeTree} from './helpers.js';
+
+const dependency = artifactId => `<dependency><groupId>com.example</groupId><artifactId>${artifactId}</artifactId><version>1.0.0</version></dependency>`;
+const pom = (artifactId, ...deps) => `<project><groupId>com.example</groupId><artifactId>${artifactId}</artifactId><version>1.0.0</version><dependencies>${deps.map(dependency).join('')}</dependencies></project>\n`;
+
+// a and b depend on each other, c depends on a, d stands alone
+function cyclicReactor(t) {
+    return writeTree(tempDir(t), {
+        'pom.xml': '<project><groupId>com.example</groupId><artifactId>root</artifactId><version>1.0.0</version><packaging>pom</packaging><modules><module>a</module><module>b</module><module>c</module><module>d</module></modules></project>\n',
+        'a/pom.xml': pom('a', 'b'),
+        'b/pom.xml': pom('b', 'a'),
+        'c/pom.xml': pom('c', 'a'),
+        'd/pom.xml': pom('d')
+    });
+}
+
+test('a two-module cycle fails with its path', t => {
+    const rootDir = cyclicReactor(t);
+    const modules = findMavenModules(rootDir);
+    const graph = buildDependencyGraph(rootDir);
+    for (const order of [getBuildLevels, getBuildOrder]) {
+        assert.throws(() => order(modules, graph), {message: 'Circular dependency detected: a → b → a (use --allow-cycles for a best-effort order)'});
+    }
+});
+
+test('--allow-cycles warns and builds the cycle after its independent modules', t => {
+    const rootDir = cyclicReactor(t);
+    const warn = t.mock.method(console, 'warn', () => {});
+    assert.deepEqual(getBuildLevels(findMavenModules(rootDir), buildDependencyGraph(rootDir), {allowCycles: true}), [['d'], ['a', 'b', 'c']]);
+    assert.match(warn.mock.calls[0].arguments[0], /Circular dependency detected: a → b → a/);
+});
+
+test('levels group modules whose dependencies are built', () => {
+    const graph = {a: [], b: ['a'], c: ['a'], d: ['b', 'c']};
+    assert.deepEqual(getBuildLevels(['d', 'c', 'b', 'a'], graph), [['a'], ['c', 'b'], ['d']]);
+});
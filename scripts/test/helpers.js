@@ -0,0 +1,86 @@
+// Fixtures shared by the tests: temporary directories, local git repositories and a stub HTTP server
+import {execFileSync} from 'child_process';
+import {createServer} from 'http';
+import {mkdirSync, mkdtempSync, rmSync, writeFileSync} from 'fs';
+import {tmpdir} from 'os';
+import {dirname, join} from 'path';
+
+export function tempDir(t) {
+    const dir = mkdtempSync(join(tmpdir(), 'maven-test-'));
+    t.after(() => rmSync(dir, {recursive: true, force: true}));
+    return dir;
+}
+
+export function git(cwd, ...args) {
+    return execFileSync('git', args, {cwd, encoding: 'utf8'}).trim();
+}
+
+// A bare "remote" with one commit on main and a checkout of it
+export function checkout(t, files = {'pom.xml': '<project><version>1.0.0</version></project>\n'}) {
+    const dir = tempDir(t);
+    const seed = join(dir, 'seed');
+    mkdirSync(seed);
+    git(seed, 'init', '-q', '-b', 'main');
+    for (const [name, content] of Object.entries(files)) writeFileSync(join(seed, name), content);
+    git(seed, 'add', '-A');
+    git(seed, '-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', 'init');
+    git(dir, 'clone', '-q', '--bare', seed, 'remote.git');
+    git(dir, 'clone', '-q', join(dir, 'remote.git'), 'work');
+    return {dir, remote: join(dir, 'remote.git'), work: join(dir, 'work')};
+}
+
+// HTTP server on a free local port. `route` maps {method, url, body} to [status, json, headers];
+// unmatched requests get a 404. Every request is recorded in `requests`.
+export async function stubServer(t, route) {
+    const requests = [];
+    const server = createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => (body += chunk));
+        req.on('end', () => {
+            const request = {method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null};
+            requests.push(request);
+            const [status, payload, headers = {}] = route(request) || [404, {message: 'Not Found'}];
+            res.writeHead(status, {'Content-Type': 'application/json', ...headers});
+            res.end(payload === undefined ? '' : JSON.stringify(payload));
+        });
+    });
+    await new Promise(resolvePromise => server.listen(0, '127.0.0.1', resolvePromise));
+    t.after(() => {
+        server.closeAllConnections();
+        return new Promise(resolvePromise => server.close(resolvePromise));
+    });
+    return {url: `http://127.0.0.1:${server.address().port}`, requests};
+}
+
+// Set environment variables for the duration of a test
+export function withEnv(t, values) {
+    const saved = Object.fromEntries(Object.keys(values).map(name => [name, process.env[name]]));
+    Object.assign(process.env, values);
+    t.after(() => {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    });
+}
+
+// Write `files` ({relative path: content}) under `dir`, creating directories as needed
+export function writeTree(dir, files) {
+    for (const [path, content] of Object.entries(files)) {
+        mkdirSync(dirname(join(dir, path)), {recursive: true});
+        writeFileSync(join(dir, path), content);
+    }
+    return dir;
+}
+
+// Root aggregator -> libs/pom.xml (nested aggregator and parent) -> libs/core and libs/app,
+// where app depends on core
+export function nestedReactor(t) {
+    const parent = (artifactId, relativePath = '') => `<parent><groupId>com.example</groupId><artifactId>${artifactId}</artifactId><version>1.0.0</version>${relativePath}</parent>`;
+    return writeTree(tempDir(t), {
+        'pom.xml': '<project><groupId>com.example</groupId><artifactId>root</artifactId><version>1.0.0</version><packaging>pom</packaging><modules><module>libs</module></modules></project>\n',
+        'libs/pom.xml': `<project>${parent('root')}<artifactId>libs</artifactId><packaging>pom</packaging><properties><core.version>1.0.0</core.version></properties><modules><module>core</module><module>app</module></modules></project>\n`,
+        'libs/core/pom.xml': `<project>${parent('libs')}<artifactId>core</artifactId></project>\n`,
+        'libs/app/pom.xml': `<project>${parent('libs')}<artifactId>app</artifactId><dependencies><dependency><groupId>\${project.groupId}</groupId><artifactId>core</artifactId><version>\${core.version}</version></dependency></dependencies></project>\n`
+    });
+}
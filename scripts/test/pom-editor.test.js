@@ -0,0 +1,196 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {mkdirSync, readFileSync, writeFileSync} from 'fs';
+import {join} from 'path';
+import {parseXmlElements, setInternalDependencyVersion, updatePomVersion} from '../src/maven.js';
+import {tempDir} from './helpers.js';
+
+const MODULE_A = {groupId: 'com.example', artifactId: 'demo-module-a'};
+
+// Write `pom` as <dir>/<module>/pom.xml and return the module directory
+function writePom(dir, module, pom) {
+    mkdirSync(join(dir, module), {recursive: true});
+    writeFileSync(join(dir, module, 'pom.xml'), pom);
+    return join(dir, module);
+}
+
+const readPom = modulePath => readFileSync(join(modulePath, 'pom.xml'), 'utf8');
+
+const ROOT_POM = `<?xml version="1.0" encoding="UTF-8"?>
+<project>
+    <groupId>com.example</groupId>
+    <artifactId>parent</artifactId>
+    <version>1.0.0-SNAPSHOT</version>
+    <packaging>pom</packaging>
+    <properties>
+        <module-a.version>1.0.0-SNAPSHOT</module-a.version>
+    </properties>
+</project>
+`;
+
+test('parseXmlElements skips comments, CDATA, processing instructions and doctypes', () => {
+    const xml = `<?xml version="1.0"?>
+<!DOCTYPE project [<!ENTITY x "<version>">]>
+<project a="1" b='>'>
+    <!-- <version>0.0.1</version> -->
+    <description><![CDATA[<version>9</version> </description>]]></description>
+    <version>1.0.0</version>
+    <empty/>
+</project>`;
+    const [project] = parseXmlElements(xml).children;
+    assert.equal(project.name, 'project');
+    assert.deepEqual(project.children.map(c => c.name), ['description', 'version', 'empty']);
+    const version = project.children[1];
+    assert.equal(xml.slice(version.contentStart, version.contentEnd), '1.0.0');
+    assert.equal(project.children[2].selfClosing, true);
+    assert.equal(xml.slice(project.start, project.end), xml.slice(xml.indexOf('<project')));
+});
+
+test('parseXmlElements rejects malformed XML', () => {
+    assert.throws(() => parseXmlElements('<project><version></project>'), /unexpected <\/project>/);
+    assert.throws(() => parseXmlElements('<project><version>1</version>'), /<project> is never closed/);
+});
+
+test('updatePomVersion edits only project/version and keeps the rest byte for byte', t => {
+    const pom = `<?xml version="1.0" encoding="UTF-8"?>
+<project xmlns="http://maven.apache.org/POM/4.0.0" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+    <parent>
+        <groupId>com.example</groupId>
+        <artifactId>parent</artifactId>
+        <version>1.0.0-SNAPSHOT</version>
+    </parent>
+    <!-- <version>comment</version> -->
+    <artifactId>demo-module-b</artifactId>
+    <version>
+        1.0.0-SNAPSHOT
+    </version>
+    <description><![CDATA[Uses <version>1.0.0-SNAPSHOT</version>]]></description>
+    <dependencies>
+        <dependency>
+            <groupId>com.example</groupId>
+            <artifactId>demo-module-a</artifactId>
+            <version>1.0.0-SNAPSHOT</version>
+        </dependency>
+    </dependencies>
+</project>
+`;
+    const modulePath = writePom(tempDir(t), 'demo-module-b', pom);
+    assert.equal(updatePomVersion(modulePath, '1.2.0'), true);
+    assert.equal(readPom(modulePath), pom.replace('\n        1.0.0-SNAPSHOT\n', '\n        1.2.0-SNAPSHOT\n'));
+});
+
+test('updatePomVersion gives a module with an inherited version its own', t => {
+    const pom = `<project>
+\t<parent>
+\t\t<groupId>com.example</groupId>
+\t\t<artifactId>parent</artifactId>
+\t\t<version>1.0.0-SNAPSHOT</version>
+\t</parent>
+\t<artifactId>demo-module-b</artifactId>
+\t<dependencies>
+\t\t<dependency>
+\t\t\t<groupId>com.example</groupId>
+\t\t\t<artifactId>demo-module-a</artifactId>
+\t\t\t<version>1.0.0-SNAPSHOT</version>
+\t\t</dependency>
+\t</dependencies>
+</project>
+`;
+    const modulePath = writePom(tempDir(t), 'demo-module-b', pom);
+    assert.equal(updatePomVersion(modulePath, '2.0.0-SNAPSHOT'), true);
+    assert.equal(readPom(modulePath), pom.replace('<artifactId>demo-module-b</artifactId>\n',
+        '<artifactId>demo-module-b</artifactId>\n\t<version>2.0.0-SNAPSHOT</version>\n'));
+});
+
+test('setInternalDependencyVersion updates dependencies and managed dependencies on the exact coordinates', t => {
+    const pom = `<project>
+    <groupId>com.example</groupId>
+    <artifactId>demo-module-b</artifactId>
+    <version>1.0.0</version>
+    <dependencyManagement>
+        <dependencies>
+            <dependency>
+                <groupId>\${project.groupId}</groupId>
+                <artifactId>demo-module-a</artifactId>
+                <version>1.0.0</version>
+            </dependency>
+        </dependencies>
+    </dependencyManagement>
+    <dependencies>
+        <dependency>
+            <groupId>com.example</groupId>
+            <artifactId>demo-module-a</artifactId>
+            <version><!-- pinned -->1.0.0</version>
+        </dependency>
+        <dependency>
+            <groupId>org.other</groupId>
+            <artifactId>demo-module-a</artifactId>
+            <version>1.0.0</version>
+        </dependency>
+    </dependencies>
+    <build>
+        <plugins>
+            <plugin>
+                <artifactId>some-plugin</artifactId>
+                <dependencies>
+                    <dependency>
+                        <groupId>com.example</groupId>
+                        <artifactId>demo-module-a</artifactId>
+                        <version>1.0.0</version>
+                    </dependency>
+                </dependencies>
+            </plugin>
+        </plugins>
+    </build>
+</project>
+`;
+    const modulePath = writePom(tempDir(t), 'demo-module-b', pom);
+    assert.equal(setInternalDependencyVersion(modulePath, MODULE_A, '2.0.0'), true);
+    const lines = readPom(modulePath).split('\n');
+    assert.deepEqual(lines.map((line, i) => (line === pom.split('\n')[i] ? null : [i, line.trim()])).filter(Boolean), [
+        [9, '<version>2.0.0</version>'],
+        [17, '<version><!-- pinned -->2.0.0</version>']
+    ]);
+});
+
+test('setInternalDependencyVersion updates a version property in the module or the root pom', t => {
+    const dir = tempDir(t);
+    writeFileSync(join(dir, 'pom.xml'), ROOT_POM);
+    const dependency = property => `
+    <dependencies>
+        <dependency>
+            <groupId>\${project.parent.groupId}</groupId>
+            <artifactId>demo-module-a</artifactId>
+            <version>\${${property}}</version>
+        </dependency>
+    </dependencies>`;
+    const parent = '<parent><groupId>com.example</groupId><artifactId>parent</artifactId><version>1.0.0-SNAPSHOT</version></parent>';
+
+    const own = writePom(dir, 'own', `<project>${parent}<artifactId>own</artifactId>
+    <properties>
+        <a.version>1.0.0-SNAPSHOT</a.version> <!-- keep -->
+    </properties>${dependency('a.version')}
+</project>`);
+    assert.equal(setInternalDependencyVersion(own, MODULE_A, '2.0.0-SNAPSHOT', dir), true);
+    assert.match(readPom(own), /<a\.version>2\.0\.0-SNAPSHOT<\/a\.version> <!-- keep -->/);
+    assert.match(readPom(own), /<version>\$\{a\.version\}<\/version>/);
+
+    const inherited = writePom(dir, 'inherited', `<project>${parent}<artifactId>inherited</artifactId>${dependency('module-a.version')}
+</project>`);
+    assert.equal(setInternalDependencyVersion(inherited, MODULE_A, '3.0.0-SNAPSHOT'), false, 'without rootDir the property cannot be reached');
+    assert.equal(setInternalDependencyVersion(inherited, MODULE_A, '3.0.0-SNAPSHOT', dir), true);
+    assert.equal(readFileSync(join(dir, 'pom.xml'), 'utf8'), ROOT_POM.replace('<module-a.version>1.0.0-SNAPSHOT', '<module-a.version>3.0.0-SNAPSHOT'));
+});
+
+test('setInternalDependencyVersion leaves the pom alone when no dependency matches', t => {
+    const pom = '<project><artifactId>b</artifactId><dependencies><dependency><groupId>org.other</groupId><artifactId>demo-module-a</artifactId><version>1</version></dependency></dependencies></project>';
+    const modulePath = writePom(tempDir(t), 'b', pom);
+    assert.equal(setInternalDependencyVersion(modulePath, MODULE_A, '2'), false);
+    assert.equal(readPom(modulePath), pom);
+});
+
+test('updatePomVersion fills a blank <version>', t => {
+    const modulePath = writePom(tempDir(t), 'b', '<project>\n  <artifactId>b</artifactId>\n  <version> </version>\n</project>\n');
+    assert.equal(updatePomVersion(modulePath, '1.0.0'), true);
+    assert.equal(readPom(modulePath), '<project>\n  <artifactId>b</artifactId>\n  <version>1.0.0-SNAPSHOT</version>\n</project>\n');
+});
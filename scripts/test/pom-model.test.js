@@ -0,0 +1,62 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {readFileSync, writeFileSync} from 'fs';
+import {join} from 'path';
+import {buildDependencyGraph, findMavenModules, resolvePom} from '../src/maven.js';
+import {nestedReactor, tempDir, writeTree} from './helpers.js';
+
+test('resolvePom follows the parent chain for coordinates and properties', t => {
+    const rootDir = nestedReactor(t);
+    const app = resolvePom(join(rootDir, 'libs', 'app', 'pom.xml'));
+    assert.deepEqual([app.parentModel.artifactId, app.parentModel.parentModel.artifactId, app.parentModel.parentModel.parentModel], ['libs', 'root', null]);
+    assert.deepEqual({groupId: app.groupId, version: app.version, ownVersion: app.ownVersion}, {groupId: 'com.example', version: '1.0.0', ownVersion: null});
+    const [core] = app.dependencies;
+    assert.deepEqual({groupId: core.groupId, version: core.version, declaredVersion: core.declaredVersion}, {groupId: 'com.example', version: '1.0.0', declaredVersion: '${core.version}'});
+    assert.deepEqual(buildDependencyGraph(rootDir), {'libs/core': [], 'libs/app': ['libs/core']});
+});
+
+test('editing a parent pom is picked up by its cached children', t => {
+    const rootDir = nestedReactor(t);
+    const appPom = join(rootDir, 'libs', 'app', 'pom.xml');
+    assert.equal(resolvePom(appPom).dependencies[0].version, '1.0.0');
+    const libsPom = join(rootDir, 'libs', 'pom.xml');
+    writeFileSync(libsPom, readFileSync(libsPom, 'utf8').replace('<core.version>1.0.0</core.version>', '<core.version>1.1.0</core.version>'));
+    assert.equal(resolvePom(appPom).dependencies[0].version, '1.1.0');
+});
+
+test('managed versions come from the nearest dependencyManagement and other groups stay external', t => {
+    const rootDir = writeTree(tempDir(t), {
+        'pom.xml': '<project><groupId>com.example</groupId><artifactId>root</artifactId><version>3.0.0</version><packaging>pom</packaging><modules><module>a</module><module>b</module></modules>' +
+            '<dependencyManagement><dependencies><dependency><groupId>${project.groupId}</groupId><artifactId>a</artifactId><version>${project.version}</version></dependency></dependencies></dependencyManagement></project>\n',
+        'a/pom.xml': '<project><parent><groupId>com.example</groupId><artifactId>root</artifactId><version>3.0.0</version></parent><artifactId>a</artifactId></project>\n',
+        'b/pom.xml': '<project><parent><groupId>com.example</groupId><artifactId>root</artifactId><version>3.0.0</version></parent><artifactId>b</artifactId><dependencies>' +
+            '<dependency><groupId>com.example</groupId><artifactId>a</artifactId></dependency>' +
+            '<dependency><groupId>org.other</groupId><artifactId>a</artifactId><version>9.9.9</version></dependency></dependencies></project>\n'
+    });
+    const [managed, external] = resolvePom(join(rootDir, 'b', 'pom.xml')).dependencies;
+    assert.deepEqual({version: managed.version, managed: managed.managed, versionSource: managed.versionSource}, {version: '3.0.0', managed: true, versionSource: join(rootDir, 'pom.xml')});
+    assert.equal(external.managed, false);
+    assert.deepEqual(buildDependencyGraph(rootDir), {a: [], b: ['a']});
+});
+
+test('module discovery walks nested aggregators and skips commented-out modules', t => {
+    const rootDir = nestedReactor(t);
+    const rootPom = join(rootDir, 'pom.xml');
+    writeFileSync(rootPom, readFileSync(rootPom, 'utf8').replace('<module>libs</module>', '<module>libs</module><!-- <module>legacy</module> -->'));
+    assert.deepEqual(findMavenModules(rootDir), ['libs/core', 'libs/app']);
+});
+
+test('profile modules are active by default or when their profile is selected', t => {
+    const module = name => `<project><groupId>com.example</groupId><artifactId>${name}</artifactId><version>1.0.0</version></project>\n`;
+    const rootDir = writeTree(tempDir(t), {
+        'pom.xml': '<project><groupId>com.example</groupId><artifactId>root</artifactId><version>1.0.0</version><packaging>pom</packaging><modules><module>services/api</module></modules><profiles>' +
+            '<profile><id>default</id><activation><activeByDefault>true</activeByDefault></activation><modules><module>services/web</module></modules></profile>' +
+            '<profile><id>ops</id><modules><module>services/ops</module></modules></profile></profiles></project>\n',
+        'services/api/pom.xml': module('api'),
+        'services/web/pom.xml': module('web'),
+        'services/ops/pom.xml': module('ops')
+    });
+    assert.deepEqual(findMavenModules(rootDir, []), ['services/api', 'services/web']);
+    assert.deepEqual(findMavenModules(rootDir, ['ops']), ['services/api', 'services/ops']);
+    assert.deepEqual(findMavenModules(rootDir, ['default', 'ops']), ['services/api', 'services/web', 'services/ops']);
+});
@@ -0,0 +1,34 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {replaceGradle} from '../src/maven.js';
+
+const dependency = 'com.example:demo-module-a';
+
+test('gradle keeps classifiers and extensions', () => {
+    const build = [
+        "implementation 'com.example:demo-module-a:1.0.0'",
+        "testImplementation 'com.example:demo-module-a:1.0.0:tests@jar'",
+        'runtimeOnly "com.example:demo-module-a:1.0.0@zip"',
+        "implementation 'com.example:demo-module-a-extra:1.0.0'"
+    ].join('\n');
+    assert.equal(replaceGradle(build, {path: 'build.gradle', dependency}, '3.0.0-SNAPSHOT'), [
+        "implementation 'com.example:demo-module-a:3.0.0-SNAPSHOT'",
+        "testImplementation 'com.example:demo-module-a:3.0.0-SNAPSHOT:tests@jar'",
+        'runtimeOnly "com.example:demo-module-a:3.0.0-SNAPSHOT@zip"',
+        "implementation 'com.example:demo-module-a-extra:1.0.0'"
+    ].join('\n'));
+});
+
+test('gradle updates the variable behind a $version', () => {
+    const build = "def moduleAVersion = '1.0.0'\nimplementation \"com.example:demo-module-a:${moduleAVersion}:tests\"\n";
+    assert.equal(replaceGradle(build, {path: 'build.gradle.kts', dependency}, '2.0.0'),
+        "def moduleAVersion = '2.0.0'\nimplementation \"com.example:demo-module-a:${moduleAVersion}:tests\"\n");
+});
+
+test('gradle version catalogs and properties', () => {
+    const catalog = '[versions]\nmoduleA = "1.0.0"\n\n[libraries]\na = { module = "com.example:demo-module-a", version.ref = "moduleA" }\nb = "com.example:demo-module-a:1.0.0"\n';
+    assert.equal(replaceGradle(catalog, {path: 'gradle/libs.versions.toml', dependency}, '2.0.0'),
+        '[versions]\nmoduleA = "2.0.0"\n\n[libraries]\na = { module = "com.example:demo-module-a", version.ref = "moduleA" }\nb = "com.example:demo-module-a:2.0.0"\n');
+    assert.equal(replaceGradle('moduleAVersion=1.0.0\n', {path: 'gradle.properties', property: 'moduleAVersion'}, '2.0.0'), 'moduleAVersion=2.0.0\n');
+    assert.throws(() => replaceGradle("implementation 'com.example:other:1.0.0'", {path: 'build.gradle', dependency}, '2.0.0'), /No com\.example:demo-module-a/);
+});
@@ -0,0 +1,57 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {readFileSync} from 'fs';
+import {join} from 'path';
+import {buildDependencyGraph, doctorCommand, findMavenModules, newCommand, resolvePom} from '../src/maven.js';
+import {nestedReactor, writeTree} from './helpers.js';
+
+// nestedReactor plus a workspace that lists libs/core only and a stray Maven package under tools/
+function workspaceReactor(t) {
+    return writeTree(nestedReactor(t), {
+        'pnpm-workspace.yaml': "packages:\n  # Maven modules\n  - 'libs/core'\n  - 'tools/*'\n  - '!tools/legacy'\n",
+        'libs/core/package.json': JSON.stringify({name: '@libs/core', version: '1.0.0', maven: {artifactId: 'core'}}),
+        'tools/old/package.json': JSON.stringify({name: 'old', version: '1.0.0', maven: {artifactId: 'old'}}),
+        'tools/legacy/package.json': JSON.stringify({name: 'legacy', version: '1.0.0', maven: {artifactId: 'legacy'}})
+    });
+}
+
+test('doctor reports reactor modules missing from the workspace and stray workspace packages', t => {
+    const rootDir = workspaceReactor(t);
+    const stdout = t.mock.method(console, 'log', () => {});
+    t.mock.method(process, 'exit', code => {
+        throw new Error(`exit ${code}`);
+    });
+    assert.throws(() => doctorCommand(rootDir, {json: true}), /exit 1/);
+    assert.deepEqual(JSON.parse(stdout.mock.calls[0].arguments[0]).map(i => `${i.type} ${i.module}`), [
+        'missing-package-json libs/app',
+        'missing-workspace-entry libs/app',
+        'orphaned-workspace-entry tools/old'
+    ]);
+});
+
+test('doctor --fix registers nested modules and keeps the workspace comments', t => {
+    const rootDir = workspaceReactor(t);
+    t.mock.method(console, 'log', () => {});
+    const stderr = t.mock.method(console, 'error', () => {});
+    const exit = t.mock.method(process, 'exit', () => {});
+    doctorCommand(rootDir, {fix: true});
+    assert.equal(readFileSync(join(rootDir, 'pnpm-workspace.yaml'), 'utf8'), "packages:\n  # Maven modules\n  - 'libs/core'\n  - 'tools/*'\n  - '!tools/legacy'\n  - 'libs/app'\n");
+    const packageJson = JSON.parse(readFileSync(join(rootDir, 'libs', 'app', 'package.json'), 'utf8'));
+    assert.deepEqual({name: packageJson.name, build: packageJson.scripts.build}, {name: '@libs/app', build: 'cd ../.. && mvn -pl libs/app -am clean package -DskipTests'});
+    // The orphaned tools/old package needs a human decision
+    assert.match(stderr.mock.calls[0].arguments[0], /1 issue\(s\) need manual attention/);
+    assert.deepEqual(exit.mock.calls.map(c => c.arguments[0]), [1]);
+});
+
+test('new registers a nested module in the reactor and the workspace', t => {
+    const rootDir = workspaceReactor(t);
+    t.mock.method(console, 'log', () => {});
+    newCommand(rootDir, 'libs/x', {initialVersion: '0.1.0', dependsOn: ['libs/core']});
+    assert.match(readFileSync(join(rootDir, 'pom.xml'), 'utf8'), /<module>libs<\/module>\s*<module>libs\/x<\/module><\/modules>/);
+    assert.deepEqual(findMavenModules(rootDir), ['libs/core', 'libs/app', 'libs/x']);
+    const model = resolvePom(join(rootDir, 'libs', 'x', 'pom.xml'));
+    assert.deepEqual({groupId: model.groupId, version: model.version, parent: model.parentModel.artifactId}, {groupId: 'com.example', version: '0.1.0-SNAPSHOT', parent: 'root'});
+    assert.deepEqual(buildDependencyGraph(rootDir)['libs/x'], ['libs/core']);
+    assert.match(readFileSync(join(rootDir, 'pnpm-workspace.yaml'), 'utf8'), /- 'libs\/x'\n$/);
+    assert.equal(JSON.parse(readFileSync(join(rootDir, 'libs', 'x', 'package.json'), 'utf8')).name, '@libs/x');
+});